@@ -0,0 +1,166 @@
+// Mock upstream chat site for offline testing. Serves pages shaped like the
+// minitoolai ones (model select, message box, send button, temperature
+// slider) whose answers render progressively into .response nodes and end
+// with a .copyres marker. Point BASE_URL at it:
+//
+//   node mock-upstream.js
+//   BASE_URL=http://localhost:3100 node server.js
+//
+// Answers echo the prompt unless MOCK_REPLAY_DIR holds a recording of it, as
+// saved by server.js with RECORD_DIR=<dir> under <dir>/<site>.
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config();
+
+// Environment variables with defaults
+const MOCK_PORT = process.env.MOCK_PORT || 3100;
+const MOCK_MODELS = (process.env.MOCK_MODELS || 'gpt-4o-mini,gpt-4.1').split(',').map(model => model.trim()).filter(Boolean);
+const MOCK_FIRST_TOKEN_MS = parseInt(process.env.MOCK_FIRST_TOKEN_MS || '300');
+const MOCK_CHUNK_MS = parseInt(process.env.MOCK_CHUNK_MS || '50');
+const MOCK_CHUNK_SIZE = parseInt(process.env.MOCK_CHUNK_SIZE || '8');
+// Share of page loads answered with 415, like the real site does to clients it dislikes
+const MOCK_BLOCK_RATE = parseFloat(process.env.MOCK_BLOCK_RATE || '0');
+// Share of answers that stop halfway and never show the completion marker
+const MOCK_FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE || '0');
+// Recordings made by server.js for one site: pages/<path>.json and chats/<key>.json
+const MOCK_REPLAY_DIR = process.env.MOCK_REPLAY_DIR;
+
+const app = express();
+
+// The proxy sends every request with Content-Type: text/html, so bodies are parsed by hand
+app.use(express.text({ type: '*/*', limit: '10mb' }));
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function readRecording(kind, name) {
+    if (!MOCK_REPLAY_DIR) return null;
+    
+    const file = path.join(MOCK_REPLAY_DIR, kind, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Same key as recordingKey in server.js
+function recordingKey(modelPath, model, prompt) {
+    return crypto.createHash('sha256').update(JSON.stringify([modelPath, model, prompt])).digest('hex');
+}
+
+// Render answer text the way a chat site would: paragraphs, line breaks and fenced code
+function renderAnswer(text) {
+    return text.split(/(```[^\n]*\n[\s\S]*?(?:```|$))/).map((block) => {
+        const fence = block.match(/^```([^\n]*)\n([\s\S]*?)(?:```)?$/);
+        if (fence) {
+            return `<pre><code class="language-${escapeHtml(fence[1].trim() || 'text')}">${escapeHtml(fence[2])}</code></pre>`;
+        }
+        
+        return block.split(/\n{2,}/).filter(p => p.trim()).map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('');
+    }).join('');
+}
+
+// Frames of an echo answer growing MOCK_CHUNK_SIZE characters at a time
+function echoFrames(model, temperature, message) {
+    const text = `Mock reply from ${model} at temperature ${temperature}. You said:\n\n${message.trim()}`;
+    const failAt = Math.random() < MOCK_FAILURE_RATE ? Math.floor(text.length / 2) : null;
+    const frames = [];
+    
+    for (let end = MOCK_CHUNK_SIZE; end < text.length + MOCK_CHUNK_SIZE; end += MOCK_CHUNK_SIZE) {
+        if (failAt !== null && end > failAt) {
+            return frames;
+        }
+        frames.push({ delay: frames.length === 0 ? MOCK_FIRST_TOKEN_MS : MOCK_CHUNK_MS, html: renderAnswer(text.slice(0, end)) });
+    }
+    
+    frames[frames.length - 1].html += '<button class="copyres">Copy</button>';
+    return frames;
+}
+
+function pageHtml(modelPath, models) {
+    const options = models.map(m => `<option value="${escapeHtml(m.value)}">${escapeHtml(m.text)}</option>`).join('');
+    
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock ${escapeHtml(modelPath)}</title></head>
+<body>
+<select id="select_model">${options}</select>
+<input id="temperature" type="range" min="0" max="2" step="0.1" value="1">
+<div id="chat"></div>
+<textarea id="message"></textarea>
+<button id="send-button">Send</button>
+<script>
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function send() {
+    const box = document.querySelector('#message');
+    const message = box.value;
+    if (!message.trim()) return;
+    box.value = '';
+
+    const response = document.createElement('div');
+    response.className = 'response';
+    document.querySelector('#chat').appendChild(response);
+
+    const reply = await fetch('/api/answer', {
+        method: 'POST',
+        body: JSON.stringify({
+            path: ${JSON.stringify(modelPath)},
+            model: document.querySelector('#select_model').value,
+            temperature: parseFloat(document.querySelector('#temperature').value),
+            message
+        })
+    }).then(res => res.json());
+
+    for (const frame of reply.frames) {
+        await sleep(frame.delay);
+        response.innerHTML = frame.html;
+    }
+}
+
+document.querySelector('#send-button').addEventListener('click', send);
+document.querySelector('#message').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        send();
+    }
+});
+</script>
+</body>
+</html>`;
+}
+
+// Frames of an answer: the recording of this exact prompt when there is one, an echo otherwise
+app.post('/api/answer', (req, res) => {
+    const { path: modelPath, model, temperature, message } = JSON.parse(req.body);
+    const recording = readRecording('chats', recordingKey(modelPath, model, message));
+    
+    if (recording) {
+        console.log(`Replaying answer for ${modelPath}/${model}`);
+        const frames = recording.frames.map((frame, i) => ({
+            delay: frame.at - (i > 0 ? recording.frames[i - 1].at : 0),
+            html: frame.html
+        }));
+        return res.json({ frames });
+    }
+    
+    res.json({ frames: echoFrames(model, temperature, message) });
+});
+
+app.get('/:path/', (req, res) => {
+    if (Math.random() < MOCK_BLOCK_RATE) {
+        return res.status(415).send('Unsupported Media Type');
+    }
+    
+    const recorded = readRecording('pages', req.params.path);
+    const models = recorded ? recorded.models : MOCK_MODELS.map(model => ({ value: model, text: model.toUpperCase() }));
+    
+    res.type('html').send(pageHtml(req.params.path, models));
+});
+
+app.listen(MOCK_PORT, () => {
+    console.log(`Mock upstream running on http://localhost:${MOCK_PORT}`);
+    if (MOCK_REPLAY_DIR) {
+        console.log(`Replaying recordings from ${MOCK_REPLAY_DIR}`);
+    }
+});
@@ -0,0 +1,123 @@
+// Smoke test against the mock upstream: boots mock-upstream.js, points
+// server.js at it with BASE_URL and checks /v1/models plus one non-streamed
+// and one streamed chat completion. Needs Chromium like server.js does.
+//
+//   npm run smoke
+//
+// The server runs in a temporary directory so its database starts empty.
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Environment variables with defaults
+const SMOKE_MOCK_PORT = process.env.SMOKE_MOCK_PORT || 3101;
+const SMOKE_SERVER_PORT = process.env.SMOKE_SERVER_PORT || 3001;
+// Time allowed for each process to start and for each request, Chromium included
+const SMOKE_TIMEOUT_MS = parseInt(process.env.SMOKE_TIMEOUT_MS || '120000');
+
+const TOKEN = 'sk-smoke-test';
+const BASE = `http://localhost:${SMOKE_SERVER_PORT}`;
+const children = [];
+
+// Start a script of this repo and resolve once its output shows ready. The
+// output is kept for the report when the test fails.
+function start(script, env, ready, cwd) {
+    const child = spawn(process.execPath, [path.join(__dirname, script)], {
+        cwd,
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.script = script;
+    child.output = '';
+    children.push(child);
+    
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`${script} did not start within ${SMOKE_TIMEOUT_MS} ms`)), SMOKE_TIMEOUT_MS);
+        
+        const onData = (chunk) => {
+            child.output += chunk;
+            if (child.output.includes(ready)) {
+                clearTimeout(timer);
+                resolve(child);
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`${script} exited with code ${code}`));
+        });
+    });
+}
+
+async function request(route, body) {
+    const response = await fetch(BASE + route, {
+        method: body ? 'POST' : 'GET',
+        headers: { authorization: `Bearer ${TOKEN}`, 'content-type': 'application/json' },
+        body: body && JSON.stringify(body),
+        signal: AbortSignal.timeout(SMOKE_TIMEOUT_MS)
+    });
+    const text = await response.text();
+    
+    if (!response.ok) {
+        throw new Error(`${route} answered ${response.status}: ${text}`);
+    }
+    return text;
+}
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+    console.log(`ok - ${message}`);
+}
+
+async function main() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitoolai-smoke-'));
+    
+    try {
+        await start('mock-upstream.js', { MOCK_PORT: SMOKE_MOCK_PORT, MOCK_FIRST_TOKEN_MS: '50' }, 'Mock upstream running', dataDir);
+        await start('server.js', {
+            PORT: SMOKE_SERVER_PORT,
+            BASE_URL: `http://localhost:${SMOKE_MOCK_PORT}`,
+            AUTH_TOKENS: TOKEN
+        }, 'Server running on port', dataDir);
+        
+        const models = JSON.parse(await request('/v1/models')).data;
+        check(Array.isArray(models) && models.length > 0, `/v1/models lists ${models.length} models`);
+        
+        const model = models[0].id;
+        const messages = [{ role: 'user', content: 'Smoke test ping' }];
+        
+        const completion = JSON.parse(await request('/v1/chat/completions', { model, messages }));
+        const content = completion.choices[0].message.content;
+        check(content.includes('Mock reply') && content.includes('Smoke test ping'), `non-streamed chat completion from ${model}`);
+        
+        const events = (await request('/v1/chat/completions', { model, messages, stream: true }))
+            .split('\n')
+            .filter(line => line.startsWith('data: '))
+            .map(line => line.slice(6));
+        const streamed = events
+            .filter(data => data !== '[DONE]')
+            .map(data => JSON.parse(data).choices[0])
+            .filter(Boolean)
+            .map(choice => choice.delta.content || '')
+            .join('');
+        check(events[events.length - 1] === '[DONE]' && streamed.includes('Smoke test ping'), `streamed chat completion from ${model}`);
+    } finally {
+        for (const child of children) {
+            if (child.exitCode === null) child.kill();
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+main().then(() => {
+    console.log('Smoke test passed');
+}, (error) => {
+    for (const child of children) {
+        console.error(`--- ${child.script} output ---\n${child.output}`);
+    }
+    console.error('Smoke test failed:', error.message);
+    process.exitCode = 1;
+});